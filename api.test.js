@@ -1,7 +1,13 @@
 jest.setTimeout(30000);
 
 const request = require("supertest");
-const api = request("http://app:3000");
+// CONTRACT_TEST=1 checks every response against GET /api/openapi.json.
+const contract = process.env.CONTRACT_TEST
+  ? new (require("./contract/openapi-contract"))()
+  : null;
+const api = contract
+  ? contract.wrap(request("http://app:3000"))
+  : request("http://app:3000");
 const Redis = require("ioredis");
 const redis = new Redis(process.env.REDIS_URL || "redis://localhost:6379", {
   retryStrategy: null,
@@ -9,6 +15,10 @@ const redis = new Redis(process.env.REDIS_URL || "redis://localhost:6379", {
   enableOfflineQueue: false,
 });
 
+beforeAll(async () => {
+  if (contract) await contract.load();
+});
+
 afterAll(async () => {
   await api.close();
   redis.disconnect();
@@ -0,0 +1,135 @@
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+
+const METHODS = ["get", "post", "put", "patch", "delete", "head", "options"];
+const SPEC_ID = "openapi.json";
+
+class OpenApiContract {
+  constructor(options) {
+    this._options = options || {};
+    this._specPath = this._options.specPath || "/api/openapi.json";
+    this._spec = null;
+    this._routes = [];
+    this._validators = new Map();
+    this._ajv = new Ajv({ strict: false, allErrors: true });
+    addFormats(this._ajv);
+  }
+
+  // Returns a copy of the supertest client whose requests fail when the
+  // response is not described by the published spec.
+  wrap(agent) {
+    this._agent = agent;
+    const wrapped = Object.create(agent);
+    for (const method of METHODS) {
+      wrapped[method] = (url, ...rest) =>
+        agent[method](url, ...rest).expect((res) =>
+          this.check(method, url, res)
+        );
+    }
+    wrapped.del = wrapped.delete;
+    return wrapped;
+  }
+
+  async load() {
+    if (!this._agent) {
+      throw new Error("Contract: no client to fetch the spec, call wrap() first");
+    }
+    const { status, body } = await this._agent.get(this._specPath);
+    if (status !== 200 || !body || !body.paths) {
+      throw new Error(
+        `Contract: GET ${this._specPath} returned ${status}, expected an OpenAPI document`
+      );
+    }
+    this._spec = body;
+    this._ajv.addSchema({ $id: SPEC_ID, components: body.components || {} });
+    this._routes = Object.keys(body.paths)
+      .map((template) => ({
+        template,
+        regex: new RegExp(
+          "^" +
+            template
+              .split(/\{[^}]+\}/)
+              .map((part) => part.replace(/[.*+?^$()|[\]\\]/g, "\\$&"))
+              .join("[^/]+") +
+            "$"
+        ),
+        params: (template.match(/\{[^}]+\}/g) || []).length,
+      }))
+      // Literal routes such as /api/books/popular win over /api/books/{id}.
+      .sort((a, b) => a.params - b.params);
+  }
+
+  check(method, url, res) {
+    if (!this._spec) {
+      throw new Error("Contract: spec not loaded, call load() in beforeAll");
+    }
+    const pathname = url.split("?")[0];
+    const label = `${method.toUpperCase()} ${pathname} -> ${res.status}`;
+
+    const route = this._routes.find((r) => r.regex.test(pathname));
+    if (!route) {
+      throw new Error(`Contract drift: ${label}: path is not documented`);
+    }
+    const operation = this._spec.paths[route.template][method];
+    if (!operation) {
+      throw new Error(
+        `Contract drift: ${label}: method is not documented for ${route.template}`
+      );
+    }
+    const responses = operation.responses || {};
+    const statusKey = [
+      String(res.status),
+      `${String(res.status)[0]}XX`,
+      "default",
+    ].find((key) => key in responses);
+    if (!statusKey) {
+      throw new Error(
+        `Contract drift: ${label}: status is not documented for ${method.toUpperCase()} ${route.template}`
+      );
+    }
+
+    // Covers "application/json; charset=utf-8", "application/problem+json" etc.
+    const content = responses[statusKey].content || {};
+    const mediaType = Object.keys(content).find((type) => /json/i.test(type));
+    const media = mediaType && content[mediaType];
+    if (!media || !media.schema) {
+      if (res.text) {
+        throw new Error(
+          `Contract drift: ${label}: response has a body but none is documented`
+        );
+      }
+      return;
+    }
+
+    const key = `${method} ${route.template} ${statusKey}`;
+    let validate = this._validators.get(key);
+    if (!validate) {
+      validate = this._ajv.compile(qualifyRefs(media.schema));
+      this._validators.set(key, validate);
+    }
+    if (!validate(res.body)) {
+      throw new Error(
+        `Contract drift: ${label}: ${this._ajv.errorsText(validate.errors, {
+          dataVar: "body",
+        })}`
+      );
+    }
+  }
+}
+
+// Response schemas are compiled on their own, so local "#/components/..."
+// references must point at the registered components document instead.
+function qualifyRefs(schema) {
+  if (Array.isArray(schema)) return schema.map(qualifyRefs);
+  if (!schema || typeof schema !== "object") return schema;
+  const out = {};
+  for (const [k, v] of Object.entries(schema)) {
+    out[k] =
+      k === "$ref" && typeof v === "string" && v.startsWith("#/")
+        ? SPEC_ID + v
+        : qualifyRefs(v);
+  }
+  return out;
+}
+
+module.exports = OpenApiContract;
@@ -0,0 +1,225 @@
+const OpenApiContract = require("./openapi-contract");
+
+const json = (schema) => ({ content: { "application/json": { schema } } });
+
+const spec = {
+  openapi: "3.0.3",
+  paths: {
+    "/api/books": {
+      get: {
+        responses: {
+          200: json({ type: "array", items: { $ref: "#/components/schemas/Book" } }),
+          "4XX": json({ $ref: "#/components/schemas/Error" }),
+        },
+      },
+    },
+    "/api/books/{id}": {
+      get: {
+        responses: {
+          200: json({ $ref: "#/components/schemas/Book" }),
+          404: {
+            content: {
+              "application/problem+json": {
+                schema: { $ref: "#/components/schemas/Error" },
+              },
+            },
+          },
+          default: json({ $ref: "#/components/schemas/Error" }),
+        },
+      },
+      delete: { responses: { 204: { description: "Deleted" } } },
+    },
+    "/api/books/popular": {
+      get: {
+        responses: {
+          200: {
+            content: {
+              "application/json; charset=utf-8": {
+                schema: { type: "array", items: { $ref: "#/components/schemas/Popular" } },
+              },
+            },
+          },
+        },
+      },
+    },
+    "/api/users/{userId}/books/{bookId}": {
+      post: {
+        responses: {
+          200: json({
+            type: "object",
+            required: ["message"],
+            properties: { message: { type: "string" } },
+          }),
+        },
+      },
+    },
+  },
+  components: {
+    schemas: {
+      Book: {
+        type: "object",
+        required: ["id", "title", "pages"],
+        properties: {
+          id: { type: "string", format: "uuid" },
+          title: { type: "string" },
+          pages: { type: "integer" },
+        },
+      },
+      // Nested reference: Popular points back at Book.
+      Popular: {
+        type: "object",
+        required: ["book", "borrowCount"],
+        properties: {
+          book: { $ref: "#/components/schemas/Book" },
+          borrowCount: { type: "integer" },
+        },
+      },
+      Error: {
+        type: "object",
+        required: ["error"],
+        properties: { error: { type: "string" } },
+      },
+    },
+  },
+};
+
+const bookId = "123e4567-e89b-42d3-a456-426614174000";
+const book = { id: bookId, title: "1984", pages: 328 };
+
+function response(status, body) {
+  return {
+    status,
+    body: body === undefined ? {} : body,
+    text: body === undefined ? "" : JSON.stringify(body),
+  };
+}
+
+async function loadedContract(document = spec) {
+  const contract = new OpenApiContract();
+  contract.wrap({ get: async () => ({ status: 200, body: document }) });
+  await contract.load();
+  return contract;
+}
+
+describe("OpenApiContract", () => {
+  let contract;
+  beforeAll(async () => {
+    contract = await loadedContract();
+  });
+
+  it("requires wrap() before load()", async () => {
+    await expect(new OpenApiContract().load()).rejects.toThrow(
+      "call wrap() first"
+    );
+  });
+
+  it("rejects a spec endpoint that does not return an OpenAPI document", async () => {
+    const broken = new OpenApiContract();
+    broken.wrap({ get: async () => ({ status: 404, body: { error: "x" } }) });
+    await expect(broken.load()).rejects.toThrow(
+      "GET /api/openapi.json returned 404"
+    );
+  });
+
+  it("refuses to check before the spec is loaded", () => {
+    expect(() =>
+      new OpenApiContract().check("get", "/api/books", response(200, []))
+    ).toThrow("spec not loaded");
+  });
+
+  it("prefers literal routes over templated ones", () => {
+    // /api/books/popular also matches /api/books/{id}, whose Book schema
+    // would reject an array.
+    expect(() =>
+      contract.check(
+        "get",
+        "/api/books/popular?limit=5",
+        response(200, [{ book, borrowCount: 3 }])
+      )
+    ).not.toThrow();
+  });
+
+  it("matches multi-parameter templates", () => {
+    expect(() =>
+      contract.check(
+        "post",
+        `/api/users/${bookId}/books/${bookId}`,
+        response(200, { message: "Book assigned to user" })
+      )
+    ).not.toThrow();
+  });
+
+  it("looks up the exact status, then NXX, then default", () => {
+    expect(() =>
+      contract.check("get", `/api/books/${bookId}`, response(200, book))
+    ).not.toThrow();
+    expect(() =>
+      contract.check("get", "/api/books?startDate=foo", response(400, { error: "bad" }))
+    ).not.toThrow();
+    expect(() =>
+      contract.check("get", "/api/books/abc", response(400, { error: "bad" }))
+    ).not.toThrow();
+    // The 4XX entry on /api/books documents an error body, not an array.
+    expect(() => contract.check("get", "/api/books", response(404, []))).toThrow(
+      "body must be object"
+    );
+  });
+
+  it("accepts any JSON media type", () => {
+    expect(() =>
+      contract.check("get", `/api/books/${bookId}`, response(404, { error: "nope" }))
+    ).not.toThrow();
+  });
+
+  it("accepts an empty response where no body is documented", () => {
+    expect(() =>
+      contract.check("delete", `/api/books/${bookId}`, response(204))
+    ).not.toThrow();
+  });
+
+  it("reports an undocumented path", () => {
+    expect(() => contract.check("get", "/api/authors", response(200, []))).toThrow(
+      "Contract drift: GET /api/authors -> 200: path is not documented"
+    );
+  });
+
+  it("reports an undocumented method", () => {
+    expect(() =>
+      contract.check("put", `/api/books/${bookId}`, response(200, { id: bookId }))
+    ).toThrow(
+      `Contract drift: PUT /api/books/${bookId} -> 200: method is not documented for /api/books/{id}`
+    );
+  });
+
+  it("reports an undocumented status", () => {
+    expect(() =>
+      contract.check("delete", `/api/books/${bookId}`, response(404, { error: "x" }))
+    ).toThrow("status is not documented for DELETE /api/books/{id}");
+  });
+
+  it("reports a body where none is documented", () => {
+    expect(() =>
+      contract.check("delete", `/api/books/${bookId}`, response(204, { id: bookId }))
+    ).toThrow("response has a body but none is documented");
+  });
+
+  it("reports schema and format mismatches", () => {
+    expect(() =>
+      contract.check(
+        "get",
+        `/api/books/${bookId}`,
+        response(200, { id: "abc", title: "1984", pages: "328" })
+      )
+    ).toThrow(/body\/id must match format "uuid", body\/pages must be integer/);
+  });
+
+  it("resolves nested component references", () => {
+    expect(() =>
+      contract.check(
+        "get",
+        "/api/books/popular",
+        response(200, [{ book: { id: bookId, title: "1984" }, borrowCount: 1 }])
+      )
+    ).toThrow("body/0/book must have required property 'pages'");
+  });
+});
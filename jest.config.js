@@ -1,8 +1,20 @@
 module.exports = {
   testRunner: "jest-circus/runner",
   setupFilesAfterEnv: ["jest-expect-message"],
+  // A single test file would otherwise switch Jest to verbose mode, which
+  // prints console output directly instead of handing it to the reporters.
+  // verbose-reporter.js keeps the per-test listing in the log.
+  verbose: false,
+  // The reporter and contract harness tests run separately with
+  // `npm run test:reporters` and `npm run test:harness`.
+  testPathIgnorePatterns: [
+    "/node_modules/",
+    "<rootDir>/reporters/",
+    "<rootDir>/contract/",
+  ],
   reporters: [
-    "default",
+    "/app/reporters/verbose-reporter.js",
+    "summary",
     [
       "/app/reporters/custom-junit-reporter.js",
       {
@@ -3,23 +3,48 @@ const os = require("os");
 const path = require("path");
 const { create } = require("xmlbuilder2");
 
+const STDERR_TYPES = new Set(["warn", "error", "assert", "trace"]);
+
 class CustomJunitReporter {
   constructor(globalConfig, options) {
     this._globalConfig = globalConfig;
     this._options = options || {};
     this._outputDir = this._options.outputDirectory || "test-reports";
     this._outputFile = this._options.outputName || "custom-results.xml";
+    this._historyFile =
+      this._options.historyFile || path.join(this._outputDir, "history.json");
+    this._historyLimit = this._options.historyLimit || 100;
+    this._consoleByFile = new Map();
+  }
+
+  // Jest drops each suite's console buffer once the file's result has been
+  // dispatched, so it has to be kept here for onRunComplete. There is only a
+  // buffer when Jest is not verbose; a run with a single test file turns
+  // verbose on by itself unless the config sets `verbose: false`.
+  onTestResult(test, testResult) {
+    if (testResult.console && testResult.console.length) {
+      this._consoleByFile.set(testResult.testFilePath, testResult.console);
+    }
   }
 
   onRunComplete(contexts, results) {
     const totalTimeSecs = ((Date.now() - results.startTime) / 1000).toFixed(3);
+    // Each suite that errored is reported as one extra testcase.
+    const totalTests =
+      results.numTotalTests + results.numRuntimeErrorTestSuites;
+    // Skipped and todo tests never ran, so the pass rate leaves them out.
+    const executed =
+      results.numPassedTests +
+      results.numFailedTests +
+      results.numRuntimeErrorTestSuites;
+    let flaky = 0;
     const root = create({ version: "1.0", encoding: "UTF-8" }).ele(
       "testsuites",
       {
         name: "jest tests",
-        tests: results.numTotalTests,
+        tests: totalTests,
         failures: results.numFailedTests,
-        errors: 0,
+        errors: results.numRuntimeErrorTestSuites,
         time: totalTimeSecs,
         timestamp: new Date(results.startTime).toISOString().replace(/Z$/, ""),
         hostname: os.hostname(),
@@ -31,45 +56,99 @@ class CustomJunitReporter {
         (suite.perfStats.end - suite.perfStats.start) /
         1000
       ).toFixed(3);
+      const execError = suite.testExecError ? 1 : 0;
       const suiteEle = root.ele("testsuite", {
-        name: suite.name,
-        errors: 0,
+        name: path.relative(
+          this._globalConfig.rootDir || process.cwd(),
+          suite.testFilePath
+        ),
+        errors: execError,
         failures: suite.numFailingTests,
-        skipped: suite.numPendingTests,
-        timestamp: new Date(suite.perfStats.start)
+        skipped: suite.numPendingTests + suite.numTodoTests,
+        // Suites that fail to load have no perfStats.
+        timestamp: new Date(suite.perfStats.start || results.startTime)
           .toISOString()
           .replace(/Z$/, ""),
         time: suiteTime,
         tests:
-          suite.numPassingTests + suite.numFailingTests + suite.numPendingTests,
+          suite.numPassingTests +
+          suite.numFailingTests +
+          suite.numPendingTests +
+          suite.numTodoTests +
+          execError,
       });
 
+      if (execError) {
+        // Either the file failed to load (syntax or import error) and no test
+        // ran, or its tests ran and a hook such as afterAll threw.
+        const err = suite.testExecError;
+        const fullMsg = err.stack || err.message || "";
+        suiteEle
+          .ele("testcase", {
+            classname: path.basename(suite.testFilePath),
+            name: suite.testResults.length
+              ? "Test suite error"
+              : "Test suite failed to run",
+            time: "0.000",
+          })
+          .ele("error", {
+            message: err.message || fullMsg.split("\n")[0],
+            type: err.type || "Error",
+          })
+          .txt(fullMsg)
+          .up()
+          .up();
+      }
+
       for (const assertion of suite.testResults) {
         const classname =
           assertion.ancestorTitles.join(" › ") ||
-          path.basename(assertion.location.file || "");
+          path.basename(suite.testFilePath);
         const name = assertion.title;
         const time =
           assertion.duration != null
             ? (assertion.duration / 1000).toFixed(3)
             : "0.000";
         const tc = suiteEle.ele("testcase", { classname, name, time });
+        const retries = earlierAttempts(assertion);
 
         if (assertion.status === "failed") {
           const fullMsg = assertion.failureMessages.join("\n");
-          const lines = fullMsg.split("\n");
-
-          let messageForAttribute = lines[0];
-          if (lines[0] === "Error: Custom message:" && lines.length > 1) {
-            messageForAttribute = lines[1].trim();
+          tc.ele("failure", { message: summarize(fullMsg) }).txt(fullMsg).up();
+          for (const retry of retries) {
+            tc.ele("rerunFailure", { message: retry.message })
+              .txt(retry.text)
+              .up();
           }
-
-          tc.ele("failure", { message: messageForAttribute }).txt(fullMsg).up();
+        } else if (assertion.status === "passed" && retries.length) {
+          // Passed only after jest.retryTimes re-ran it.
+          flaky++;
+          for (const retry of retries) {
+            tc.ele("flakyFailure", { message: retry.message })
+              .txt(retry.text)
+              .up();
+          }
+        } else if (
+          assertion.status === "pending" ||
+          assertion.status === "disabled" ||
+          assertion.status === "todo"
+        ) {
+          tc.ele("skipped", { message: assertion.status }).up();
         }
 
         tc.up();
       }
 
+      const entries = this._consoleByFile.get(suite.testFilePath) || [];
+      const stdout = entries.filter((e) => !STDERR_TYPES.has(e.type));
+      const stderr = entries.filter((e) => STDERR_TYPES.has(e.type));
+      if (stdout.length) {
+        suiteEle.ele("system-out").txt(formatConsole(stdout)).up();
+      }
+      if (stderr.length) {
+        suiteEle.ele("system-err").txt(formatConsole(stderr)).up();
+      }
+
       suiteEle.up();
     }
 
@@ -82,7 +161,76 @@ class CustomJunitReporter {
       xml,
       "utf-8"
     );
+
+    this._appendHistory({
+      timestamp: new Date(results.startTime).toISOString(),
+      time: Number(totalTimeSecs),
+      tests: totalTests,
+      passed: results.numPassedTests,
+      failures: results.numFailedTests,
+      errors: results.numRuntimeErrorTestSuites,
+      skipped: results.numPendingTests + results.numTodoTests,
+      flaky,
+      passRate: executed
+        ? Number((results.numPassedTests / executed).toFixed(4))
+        : null,
+    });
+  }
+
+  _appendHistory(entry) {
+    let history = [];
+    if (fs.existsSync(this._historyFile)) {
+      try {
+        history = JSON.parse(fs.readFileSync(this._historyFile, "utf-8"));
+      } catch (err) {
+        // A corrupt history file should not fail the run; start over.
+      }
+      if (!Array.isArray(history)) history = [];
+    }
+    history.push(entry);
+    fs.mkdirSync(path.dirname(this._historyFile), { recursive: true });
+    fs.writeFileSync(
+      this._historyFile,
+      JSON.stringify(history.slice(-this._historyLimit), null, 2),
+      "utf-8"
+    );
+  }
+}
+
+// First meaningful line of a Jest failure, used for the message attribute.
+function summarize(fullMsg) {
+  const lines = fullMsg.split("\n");
+  if (lines[0] === "Error: Custom message:" && lines.length > 1) {
+    return lines[1].trim();
   }
+  return lines[0];
+}
+
+// One entry per failed attempt before the final one. Jest only keeps the
+// errors of those attempts when retryTimes is given logErrorsBeforeRetry.
+function earlierAttempts(assertion) {
+  const reasons = assertion.retryReasons || [];
+  const count = Math.max((assertion.invocations || 1) - 1, reasons.length);
+  const attempts = [];
+  for (let i = 0; i < count; i++) {
+    const text = reasons[i] || "";
+    attempts.push({
+      message: text ? summarize(text) : `Attempt ${i + 1} failed`,
+      text,
+    });
+  }
+  return attempts;
+}
+
+function formatConsole(entries) {
+  return entries
+    .map((e) => {
+      const origin = (e.origin || "").trim().split("\n")[0];
+      return origin
+        ? `${e.type}: ${e.message}\n    ${origin}`
+        : `${e.type}: ${e.message}`;
+    })
+    .join("\n");
 }
 
 module.exports = CustomJunitReporter;
@@ -0,0 +1,241 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const CustomJunitReporter = require("./custom-junit-reporter");
+
+let outDir;
+beforeEach(() => {
+  outDir = fs.mkdtempSync(path.join(os.tmpdir(), "junit-reporter-"));
+});
+afterEach(() => {
+  fs.rmSync(outDir, { recursive: true, force: true });
+});
+
+function assertion(overrides) {
+  return {
+    ancestorTitles: ["Suite"],
+    title: "test",
+    duration: 5,
+    status: "passed",
+    failureMessages: [],
+    invocations: 1,
+    location: null,
+    ...overrides,
+  };
+}
+
+function suiteResult(overrides) {
+  const testResults = overrides.testResults || [];
+  const count = (status) =>
+    testResults.filter((a) => a.status === status).length;
+  return {
+    testFilePath: "/app/api.test.js",
+    perfStats: { start: 1000, end: 3000 },
+    numPassingTests: count("passed"),
+    numFailingTests: count("failed"),
+    numPendingTests: count("pending"),
+    numTodoTests: count("todo"),
+    testResults,
+    ...overrides,
+  };
+}
+
+function aggregated(suites) {
+  const all = suites.flatMap((s) => s.testResults);
+  const count = (status) => all.filter((a) => a.status === status).length;
+  return {
+    startTime: Date.parse("2026-01-01T00:00:00Z"),
+    numTotalTests: all.length,
+    numPassedTests: count("passed"),
+    numFailedTests: count("failed"),
+    numPendingTests: count("pending"),
+    numTodoTests: count("todo"),
+    numRuntimeErrorTestSuites: suites.filter((s) => s.testExecError).length,
+    testResults: suites,
+  };
+}
+
+function run(reporter, suites) {
+  for (const suite of suites) reporter.onTestResult({}, suite);
+  reporter.onRunComplete(new Set(), aggregated(suites));
+  return fs.readFileSync(path.join(outDir, "results.xml"), "utf-8");
+}
+
+function newReporter(options) {
+  return new CustomJunitReporter(
+    { rootDir: "/app" },
+    { outputDirectory: outDir, outputName: "results.xml", ...options }
+  );
+}
+
+function readHistory() {
+  return JSON.parse(fs.readFileSync(path.join(outDir, "history.json"), "utf-8"));
+}
+
+describe("CustomJunitReporter", () => {
+  it("marks tests that passed after a retry as flaky", () => {
+    const xml = run(newReporter(), [
+      suiteResult({
+        testResults: [
+          assertion({
+            title: "flaky",
+            invocations: 2,
+            retryReasons: ["Error: boom\n    at x.js:1:1"],
+          }),
+          assertion({ title: "retried silently", invocations: 3 }),
+        ],
+      }),
+    ]);
+
+    expect(xml).toContain('<flakyFailure message="Error: boom">');
+    expect(xml).toContain('<flakyFailure message="Attempt 1 failed"/>');
+    expect(xml).toContain('<flakyFailure message="Attempt 2 failed"/>');
+    expect(readHistory()[0].flaky).toBe(2);
+  });
+
+  it("records earlier attempts of a failed test as rerun failures", () => {
+    const xml = run(newReporter(), [
+      suiteResult({
+        testResults: [
+          assertion({
+            status: "failed",
+            failureMessages: ["Error: Custom message:\n  pages should be 350"],
+            invocations: 2,
+            retryReasons: ["Error: first try"],
+          }),
+        ],
+      }),
+    ]);
+
+    expect(xml).toContain('<failure message="pages should be 350">');
+    expect(xml).toContain('<rerunFailure message="Error: first try">');
+    expect(xml).not.toContain("flakyFailure");
+  });
+
+  it("names each testsuite after its file relative to rootDir", () => {
+    const xml = run(newReporter(), [
+      suiteResult({ testResults: [assertion()] }),
+    ]);
+
+    expect(xml).toMatch(/<testsuite name="api.test.js"/);
+  });
+
+  it("emits skipped elements for pending, disabled and todo tests", () => {
+    const xml = run(newReporter(), [
+      suiteResult({
+        testResults: [
+          assertion({ title: "a", status: "pending" }),
+          assertion({ title: "b", status: "todo" }),
+          assertion({ title: "c", status: "disabled" }),
+        ],
+      }),
+    ]);
+
+    expect(xml).toContain('<skipped message="pending"/>');
+    expect(xml).toContain('<skipped message="todo"/>');
+    expect(xml).toContain('<skipped message="disabled"/>');
+    // Nothing ran, so there is no pass rate to record.
+    expect(readHistory()[0].passRate).toBeNull();
+  });
+
+  it("reports a suite that failed to load as an error", () => {
+    const xml = run(newReporter(), [
+      suiteResult({
+        perfStats: { start: 0, end: 0 },
+        testExecError: {
+          message: "Cannot find module 'nope'",
+          stack: "Error: Cannot find module 'nope'\n    at b.test.js:1:1",
+        },
+      }),
+    ]);
+
+    expect(xml).toMatch(/<testsuites [^>]*tests="1"[^>]*errors="1"/);
+    expect(xml).toContain('name="Test suite failed to run"');
+    expect(xml).toContain(
+      '<error message="Cannot find module \'nope\'" type="Error">Error: Cannot find module'
+    );
+    expect(xml).toContain('timestamp="2026-01-01T00:00:00.000"');
+    expect(xml).not.toContain("1970-01-01");
+
+    const [entry] = readHistory();
+    expect(entry.tests).toBe(1);
+    expect(entry.errors).toBe(1);
+    expect(entry.passRate).toBe(0);
+  });
+
+  it("reports a throwing afterAll without copying test failures", () => {
+    const xml = run(newReporter(), [
+      suiteResult({
+        testResults: [
+          assertion({
+            status: "failed",
+            failureMessages: ["Error: unrelated test failure"],
+          }),
+        ],
+        failureMessage: "Error: unrelated test failure",
+        testExecError: {
+          message: "",
+          stack: "TypeError: api.close is not a function\n    at api.test.js:22:13",
+        },
+      }),
+    ]);
+
+    expect(xml).toContain('name="Test suite error"');
+    expect(xml).toContain(
+      '<error message="TypeError: api.close is not a function" type="Error">'
+    );
+    const errorBody = xml.slice(xml.indexOf("<error"), xml.indexOf("</error>"));
+    expect(errorBody).not.toContain("unrelated test failure");
+  });
+
+  it("splits console output into system-out and system-err", () => {
+    const xml = run(newReporter(), [
+      suiteResult({
+        testResults: [assertion()],
+        console: [
+          { type: "log", message: "hello", origin: "    at a.js:1:1" },
+          { type: "warn", message: "careful", origin: "    at a.js:2:1" },
+          { type: "error", message: "broken", origin: "" },
+        ],
+      }),
+    ]);
+
+    expect(xml).toContain("<system-out>log: hello\n    at a.js:1:1</system-out>");
+    expect(xml).toContain(
+      "<system-err>warn: careful\n    at a.js:2:1\nerror: broken</system-err>"
+    );
+  });
+
+  it("appends run summaries to the history file up to the limit", () => {
+    const suites = [
+      suiteResult({
+        testResults: [
+          assertion({ title: "a" }),
+          assertion({ title: "b", status: "failed", failureMessages: ["x"] }),
+          assertion({ title: "c", status: "pending" }),
+          assertion({ title: "d", status: "todo" }),
+        ],
+      }),
+    ];
+    for (let i = 0; i < 3; i++) run(newReporter({ historyLimit: 2 }), suites);
+
+    const history = readHistory();
+    expect(history).toHaveLength(2);
+    expect(history[1]).toMatchObject({
+      tests: 4,
+      passed: 1,
+      failures: 1,
+      errors: 0,
+      skipped: 2,
+      flaky: 0,
+      passRate: 0.5,
+    });
+  });
+
+  it("starts a new history when the file is corrupt", () => {
+    fs.writeFileSync(path.join(outDir, "history.json"), "{not json");
+    run(newReporter(), [suiteResult({ testResults: [assertion()] })]);
+
+    expect(readHistory()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,4 @@
+module.exports = {
+  rootDir: __dirname,
+  testEnvironment: "node",
+};
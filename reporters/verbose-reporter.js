@@ -0,0 +1,4 @@
+// Jest's per-test listing without verbose mode. A single-file run would
+// otherwise turn verbose on, and a verbose run prints console output
+// directly instead of buffering it for custom-junit-reporter.js.
+module.exports = require("@jest/reporters").VerboseReporter;